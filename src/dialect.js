@@ -0,0 +1,126 @@
+var extend = require('extend-merge').extend;
+var BaseDialect = require('sql-dialect').MySql;
+var CreateTable = require('./statement/create-table');
+
+/**
+ * MySQL dialect with support for MySQL specific column types.
+ */
+class MySqlDialect extends BaseDialect {
+  /**
+   * Constructor
+   *
+   * @param Object config The config array
+   */
+  constructor(config) {
+    config = extend({}, config);
+    config.classes = extend({}, BaseDialect.classes(), { 'create table': CreateTable }, config.classes);
+    super(config);
+
+    this.type('enum', { use: 'enum' });
+    this.type('set',  { use: 'set' });
+    this.type('json', { use: 'json' });
+
+    this.map('enum', 'enum');
+    this.map('set',  'set');
+    this.map('json', 'json');
+  }
+
+  /**
+   * Return default formatters.
+   *
+   * Adds the `'->'` and `'->>'` formatters for building JSON path expressions, i.e.
+   * `{ '=': [{ '->>': ['data', '$.name'] }, 'Johnny'] }` generates `\`data\`->>'$.name' = 'Johnny'`.
+   *
+   * @return Object
+   */
+  _defaultFormatters() {
+    return extend({}, super._defaultFormatters(), {
+      '->': function(value, states) {
+        return this._path('->', value, states);
+      }.bind(this),
+      '->>': function(value, states) {
+        return this._path('->>', value, states);
+      }.bind(this)
+    });
+  }
+
+  /**
+   * Builds a JSON path expression.
+   *
+   * @param  String operator The path operator (i.e. `'->'` to extract JSON or `'->>'` to extract and unquote).
+   * @param  Array  value    The column name and the JSON path.
+   * @param  Object states   The current states.
+   * @return String          The SQL expression.
+   */
+  _path(operator, value, states) {
+    if (!Array.isArray(value) || value.length !== 2) {
+      throw new Error("The `'" + operator + "'` formatter requires a column name and a JSON path.");
+    }
+    states = states || {};
+    var sql = this.name(value[0], states.aliases) + operator + this.quote(String(value[1]));
+    // Compared values must not be casted according to the type of the JSON column.
+    states.name = undefined;
+    states.schema = undefined;
+    return sql;
+  }
+
+  /**
+   * Helper for creating columns.
+   *
+   * Allowed values of `ENUM` and `SET` columns are defined by the `'values'` field option.
+   *
+   * @param  Object field A field definition
+   * @return String       The SQL column string
+   */
+  _column(field) {
+    if (field.use === 'enum' || field.use === 'set') {
+      if (!Array.isArray(field.values) || !field.values.length) {
+        throw new Error("Missing allowed values for the `" + field.use.toUpperCase() + "` column `'" + field.name + "'`.");
+      }
+      field = Object.assign({}, field, {
+        length: field.values.map(function(value) {
+          return this.quote(value);
+        }, this).join(','),
+        precision: null
+      });
+    }
+    return super._column(field);
+  }
+
+  /**
+   * Build a SQL column constraint.
+   *
+   * Index, unique, foreign key and check constraints can be named using the `'name'` option.
+   *
+   * @param  String name       The name of the meta to build.
+   * @param  Object constraint The constraint value.
+   * @param  Object options    The constraint options.
+   * @return String            The SQL meta string.
+   */
+  constraint(name, constraint, options) {
+    if (!constraint.name) {
+      return super.constraint(name, constraint, options);
+    }
+    if (name === 'check') {
+      return super.constraint(name, extend({}, constraint, { constraint: constraint.name }), options);
+    }
+    var escaped = this.escape(constraint.name);
+    if (name === 'index' || name === 'unique') {
+      var columns = Array.isArray(constraint.column) ? constraint.column : [constraint.column];
+      var keyword = 'INDEX';
+      if (name === 'unique') {
+        keyword = 'UNIQUE' + (constraint.index !== undefined ? ' INDEX' : constraint.key !== undefined ? ' KEY' : '');
+      }
+      return keyword + ' ' + escaped + ' (' + columns.map(function(column) {
+        return this.name(column);
+      }, this).join(', ') + ')';
+    }
+    var sql = super.constraint(name, constraint, options);
+    if (name === 'foreign key') {
+      return 'CONSTRAINT ' + escaped + ' ' + sql;
+    }
+    return sql;
+  }
+}
+
+module.exports = MySqlDialect;
@@ -0,0 +1,189 @@
+/**
+ * Base class of the errors raised by the MySQL adapter.
+ *
+ * The driver error at the origin of the error (if any) is available through `'cause'`, its
+ * `'code'`, `'errno'`, `'sqlState'` and `'sql'` properties are copied on the error.
+ */
+class MySqlError extends Error {
+  /**
+   * Constructor
+   *
+   * @param String message The error message.
+   * @param Object options Possible options are:
+   *                       - `'cause'` _Error_ : The driver error at the origin of the error.
+   *                       - `'sql'`   _String_: The SQL query which failed.
+   */
+  constructor(message, options) {
+    super(message);
+    options = options || {};
+    var cause = options.cause || {};
+
+    this.name = this.constructor.name;
+    this.cause = options.cause;
+    this.code = cause.code;
+    this.errno = cause.errno;
+    this.sqlState = cause.sqlState;
+    this.sql = options.sql !== undefined ? options.sql : cause.sql;
+  }
+}
+
+/**
+ * Raised when the adapter is misconfigured.
+ */
+class ConfigurationError extends MySqlError {}
+
+/**
+ * Raised when a connection to the server can't be established.
+ */
+class ConnectionError extends MySqlError {}
+
+/**
+ * Raised when the server rejects the credentials.
+ */
+class AuthenticationError extends ConnectionError {}
+
+/**
+ * Raised when the configured database doesn't exist.
+ */
+class UnknownDatabaseError extends ConnectionError {}
+
+/**
+ * Raised when the TLS handshake fails or when the server doesn't support TLS.
+ */
+class TlsError extends ConnectionError {}
+
+/**
+ * Raised when the connection is dropped while running a query.
+ */
+class ConnectionLostError extends ConnectionError {}
+
+/**
+ * Raised when the server rejects a query.
+ */
+class QueryError extends MySqlError {}
+
+/**
+ * Raised when a query violates a primary key or a unique key (`ER_DUP_ENTRY`).
+ *
+ * The duplicated value and the name of the violated key are available through `'entry'` and `'key'`.
+ */
+class DuplicateKeyError extends QueryError {
+  constructor(message, options) {
+    super(message, options);
+    var matches = message.match(/Duplicate entry '([\s\S]*)' for key '([^']*)'/);
+    this.entry = matches ? matches[1] : undefined;
+    // Since MySQL 8.0.19 key names are prefixed by the table name.
+    this.key = matches ? matches[2].split('.').pop() : undefined;
+  }
+}
+
+/**
+ * Raised when a query violates a foreign key constraint.
+ *
+ * The name of the violated constraint is available through `'constraint'`.
+ */
+class ForeignKeyError extends QueryError {
+  constructor(message, options) {
+    super(message, options);
+    var matches = message.match(/CONSTRAINT `([^`]*)`/);
+    this.constraint = matches ? matches[1] : undefined;
+  }
+}
+
+/**
+ * Raised when a `NULL` value is written to a `NOT NULL` column.
+ *
+ * The name of the column is available through `'column'`.
+ */
+class NotNullError extends QueryError {
+  constructor(message, options) {
+    super(message, options);
+    var matches = message.match(/Column '([^']*)' cannot be null/);
+    this.column = matches ? matches[1] : undefined;
+  }
+}
+
+/**
+ * Raised when a transaction has been rolled back to resolve a deadlock.
+ */
+class DeadlockError extends QueryError {}
+
+/**
+ * Raised when a lock couldn't be acquired within `innodb_lock_wait_timeout`.
+ */
+class LockWaitTimeoutError extends QueryError {}
+
+/**
+ * Raised when a query is not valid SQL.
+ */
+class SqlSyntaxError extends QueryError {}
+
+/**
+ * Raised when a query refers to a table which doesn't exist.
+ *
+ * The name of the table is available through `'table'`.
+ */
+class UnknownTableError extends QueryError {
+  constructor(message, options) {
+    super(message, options);
+    var matches = message.match(/Table '([^']*)' doesn't exist/);
+    this.table = matches ? matches[1] : undefined;
+  }
+}
+
+/**
+ * Raised when a query refers to a column which doesn't exist.
+ *
+ * The name of the column is available through `'column'`.
+ */
+class UnknownColumnError extends QueryError {
+  constructor(message, options) {
+    super(message, options);
+    var matches = message.match(/Unknown column '([^']*)'/);
+    this.column = matches ? matches[1] : undefined;
+  }
+}
+
+/**
+ * Raised when a transaction is committed or rolled back while no transaction is open.
+ */
+class TransactionError extends MySqlError {}
+
+/**
+ * Raised when a query is cancelled through an `AbortSignal`.
+ */
+class QueryCancelledError extends QueryError {}
+
+/**
+ * Raised when a query runs longer than its timeout.
+ *
+ * The timeout in milliseconds is available through `'timeout'`.
+ */
+class QueryTimeoutError extends QueryCancelledError {
+  constructor(message, options) {
+    super(message, options);
+    this.timeout = (options || {}).timeout;
+  }
+}
+
+module.exports = {
+  MySqlError: MySqlError,
+  ConfigurationError: ConfigurationError,
+  ConnectionError: ConnectionError,
+  AuthenticationError: AuthenticationError,
+  UnknownDatabaseError: UnknownDatabaseError,
+  TlsError: TlsError,
+  ConnectionLostError: ConnectionLostError,
+  QueryError: QueryError,
+  DuplicateKeyError: DuplicateKeyError,
+  ForeignKeyError: ForeignKeyError,
+  NotNullError: NotNullError,
+  DeadlockError: DeadlockError,
+  LockWaitTimeoutError: LockWaitTimeoutError,
+  SqlSyntaxError: SqlSyntaxError,
+  UnknownTableError: UnknownTableError,
+  UnknownColumnError: UnknownColumnError,
+  TransactionError: TransactionError,
+  QueryCancelledError: QueryCancelledError,
+  QueryTimeoutError: QueryTimeoutError
+};
@@ -0,0 +1,26 @@
+var BaseCreateTable = require('sql-dialect').MySql.classes()['create table'];
+
+/**
+ * `CREATE TABLE` statement.
+ */
+class CreateTable extends BaseCreateTable {
+  /**
+   * Sets constraints to the query.
+   *
+   * Constraints can also be provided as an object of constraints (i.e. when copied through
+   * `Schema#meta()`).
+   *
+   * @param  mixed    constraints The constraints array definition for columns.
+   * @return Function             Returns `this`.
+   */
+  constraints(constraints) {
+    if (constraints && !Array.isArray(constraints)) {
+      constraints = Object.keys(constraints).map(function(key) {
+        return constraints[key];
+      });
+    }
+    return super.constraints(constraints);
+  }
+}
+
+module.exports = CreateTable;